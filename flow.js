@@ -9,20 +9,60 @@
      * @class flow
      * @singleton
      * @param {Object} [config]
-     * @param {Function} functions func1, func2, ... funcN
+     * @param {Number} [config.timeout] Default timeout (in milliseconds) for every task. If a task doesn't call the next task in time,
+     * then the next task is executed with a flow.TimeoutError.
+     * @param {AbortSignal} [config.signal] Cancels every run of the flow, once aborted.
+     * @param {Boolean} [config.bail=false] If true, an error passed to the next task (or to a callback of a parallel call)
+     * skips the remaining tasks. The catcher (if any) is called with (error, failed) and then the callback of the flow is called
+     * with the error. failed is an object {task, name, index, error}, where task is the index of the failed task and index is
+     * the index of the failed parallel call (if any).
+     * @param {Number|Object} [config.retry] Retry policy for every task (and every parallel call) that fails with an error.
+     * If number then it is the maximum number of attempts. See ControlHelper.set() for the config object.
+     * @param {Number} [config.maxLoops=1000] Maximum number of backward jumps (see ControlHelper.goto()) per run. Once exceeded,
+     * the flow completes with a flow.LoopError.
+     * @param {String} [config.name] Name of the flow, as reported to event listeners.
+     * @param {Object} [config.on] Event listeners of the flow (and of the flows used as tasks of the flow), as a map of event name to function.
+     * See flow.on() for the events.
+     * @param {Boolean|Object} [config.debug=flow.debug] Reports misuse of the control object: ctl.next() called more than once,
+     * callbacks called after the task ended (e.g. timed out), ctl of a previous task being used, counter set to zero and tasks that stay
+     * pending for too long (except the last task, unless the flow is a task of another flow). Each report is an object
+     * {type, message, flow, run, task, name, stack}, that is also emitted as 'misuse' event.
+     * @param {Number} [config.debug.stallTime=5000] Milliseconds after which a pending task is reported.
+     * @param {Function} [config.debug.report] Function to report with. By default reports are logged with console.warn().
+     * @param {Object} [config.store] Store (like flow.MemoryStore or flow.FileStore) to save a snapshot {flow, task, error, result, baggage, context}
+     * of the run to, before each task is executed (where task is the index of the task, error, result and baggage are it's inputs and
+     * context is a copy of the properties set on the context of the run, without the ones inherited from runOptions.context).
+     * The snapshot is removed once all tasks complete (before the callback of the run is called), but kept if the run is cancelled
+     * or fails (in bail mode), so that it can be resumed with flow.resume(). Requires config.name. A store is an object with
+     * get(key, cb), set(key, value, cb) and remove(key, cb) methods, that either call cb(error, value) or return a Promise.
+     * Only used when the flow isn't a task of another flow.
+     * @param {String} [config.schedule='sync'] When to yield to the event loop, between tasks that complete synchronously:
+     * 'sync' (never), 'microtask' or 'immediate' (setImmediate, or setTimeout where not available). Either way, flows of any length
+     * (or tasks that repeat any number of times) run in bounded stack depth. With 'sync', ctl.next() executes the next task right away,
+     * unless 100 tasks are already executing each other synchronously, in which case the next task is executed once the stack unwinds.
+     * @param {Number} [config.yieldEvery=1] Number of tasks to execute in a row before yielding (unless config.schedule is 'sync').
+     * @param {Function|Object} functions func1, func2, ... funcN. A task can also be an object {name, fn}, so that it can be jumped to by name.
+     * Otherwise the name of the function (if any) is used as name of the task.
      * @param {Object} [scope]
      *
      * @return {Function} Returns a function. Which can either, directly be added as a flow task..
-     * or can be called as func() or func(err, result, function callback (err2, result2) { ... }). Parameters
-     * are optional.
+     * or can be called as func() or func(err, result, function callback (err2, result2, baggage) { ... }, runOptions). Parameters
+     * are optional. runOptions.signal is an AbortSignal that cancels the run once aborted. runOptions.runId is the id of the run
+     * (by default a number, or a unique string if the flow has a store). runOptions.context seeds the context of the run (see ControlHelper.context).
+     * When called with the callback of a parallel call, the flow inherits the context of that call (see ControlHelper.parallel()).
+     *
+     * When called, func returns a handle with a runId property and a cancel(reason) method, that stops the run and
+     * calls the callback with a flow.CancelError. When called without a callback, the handle is a Promise (if the environment has Promises)
+     * that resolves with an object {error, result, baggage, context, failed} once all tasks complete. The callback gets the
+     * same object as 4th parameter.
      */
     function flow() {
         var callbacks = Array.prototype.slice.call(arguments),
             options = {};
-        if (typeof callbacks[0] === 'object') {
+        if (typeof callbacks[0] === 'object' && !isTask(callbacks[0])) {
             options = callbacks.shift();
         }
-        if (typeof callbacks[callbacks.length - 1] === 'object') {
+        if (typeof callbacks[callbacks.length - 1] === 'object' && !isTask(callbacks[callbacks.length - 1])) {
             options.scope = callbacks.pop();
         }
         var last = callbacks[callbacks.length - 1];
@@ -30,55 +70,403 @@
             options.catcher = callbacks.pop();
         }
 
+        if (options.store && options.name === undefined) {
+            throw new Error('flow: config.name is required with config.store, so that runs can be resumed');
+        }
+
+        var run = createRunner(function (parent) {
+            return new SerialManager(callbacks, options, parent);
+        });
+        if (options.store) {
+            checkpointed[options.name] = {store: options.store, run: run};
+        }
+        return run;
+    }
+
+    /**
+     * Returns the function that runs a flow, as documented at flow().
+     * @param {Function} createManager Called with the SerialManager of the parent flow (if any). Returns the manager that executes the run.
+     * @private
+     */
+    function createRunner(createManager) {
         return function (parallelMgr, errorParent, resultParent, baggageParent) {
-            var userCallback;
-            if (!(parallelMgr instanceof ControlHelper)) { //then assume only 3 arguments
+            var userCallback,
+                runOptions = {};
+            if (!(parallelMgr instanceof ControlHelper)) { //then assume arguments are (err, result, callback, runOptions)
+                runOptions = baggageParent || {};
                 baggageParent = resultParent;
                 resultParent = errorParent;
                 errorParent = parallelMgr;
 
                 parallelMgr = null;
                 userCallback = (baggageParent instanceof Function ? baggageParent : null);
+                if (!userCallback && baggageParent && typeof baggageParent === 'object') {
+                    runOptions = baggageParent;
+                }
                 baggageParent = null;
             }
 
-            var manager = new SerialManager(callbacks, options);
+            var parentContext = (parallelMgr ? parallelMgr.context : runOptions.context || (userCallback && userCallback.context)),
+                handle;
+            if (!parallelMgr && !userCallback && typeof Promise === 'function') {
+                handle = new Promise(function (resolve) {
+                    userCallback = function (error, result, baggage, details) {
+                        resolve(details);
+                    };
+                });
+                flowRuns.add(handle);
+            }
+
+            var manager = createManager(parallelMgr ? parallelMgr.manager : null),
+                checkpoint = runOptions.checkpoint;
+            //copy-on-write: writes to the context of this run don't change the context it inherits from.
+            manager.context = (parentContext ? Object.create(parentContext) : {});
+            if (runOptions.runId !== undefined) {
+                manager.runId = runOptions.runId;
+            } else if (manager.snapshotStore) {
+                manager.runId = Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+            }
+            if (checkpoint) { //resuming (see flow.resume())
+                manager.currentFunc = checkpoint.task - 1;
+                errorParent = checkpoint.error;
+                resultParent = checkpoint.result;
+                baggageParent = checkpoint.baggage;
+                Object.keys(checkpoint.context || {}).forEach(function (key) {
+                    manager.context[key] = checkpoint.context[key];
+                });
+            }
+            if (parallelMgr) {
+                //cancelling the parent flow cancels this flow as well.
+                parallelMgr.onCancel(function (error) {
+                    manager.cancel(error);
+                });
+            }
             //pipe output from previous callback of parent as input to this task.
-            manager.execute(errorParent, resultParent, baggageParent, function (error, result, baggage) {
+            manager.execute(errorParent, resultParent, baggageParent, runOptions.signal, function (error, result, baggage, details) {
                 //once all tasks completed, pipe output from last callback of this
                 //task as input to the next callback of parent.
                 if (parallelMgr) {
                     parallelMgr.setBaggage(baggage);
                     parallelMgr.next(error, result);
                 } else if (userCallback) {
-                    userCallback(error, result, baggage);
+                    userCallback(error, result, baggage, details);
                 }
             });
+
+            if (!parallelMgr) {
+                handle = handle || {};
+                handle.runId = manager.runId;
+                handle.cancel = function (reason) {
+                    manager.cancel(reason);
+                };
+                return handle;
+            }
         };
     }
 
+    /**
+     * Runs tasks based on their dependencies. Each task is executed as soon as the tasks it depends on complete.
+     *
+     *     flow.auto({
+     *         config: function (ctl) { ajax('GET', '/config', ctl.next); },
+     *         user: function (ctl) { ajax('GET', '/user', ctl.next); },
+     *         permissions: ['user', function (ctl, results) { ajax('GET', '/permissions/' + results.user.id, ctl.next); }],
+     *         render: ['config', 'permissions', function (ctl, results) { ... ctl.next(); }]
+     *     })(null, null, function (err, results) { ... });
+     *
+     * Every task gets a control object (same as with flow()) and an object with the results of it's dependencies by name. Cycles and
+     * unknown dependencies throw an error right away.
+     *
+     * Once all tasks complete, the callback of the flow gets an object with the results of all tasks by name. An error from any
+     * task (or an error from any of it's parallel calls) cancels the tasks in progress, calls the catcher (if any) with (error, failed)
+     * (where failed is {task, name, error} with the name of the failed task) and then the callback with the error.
+     *
+     * @param {Object} [config] Same as config of flow(). config.on, config.signal, config.scope and config.catcher apply to the whole flow and
+     * config.name, config.timeout, config.retry, config.maxLoops and config.debug apply to each task.
+     * @param {Object} tasks Map of task name to either a task function or an array of names of the dependencies followed by the task function.
+     * @param {Function} [catcher] Function named 'catcher' that gets exceptions thrown by the tasks.
+     * @return {Function} Returns a function with the same usage as the function returned by flow().
+     * @member flow
+     */
+    flow.auto = function () {
+        var args = Array.prototype.slice.call(arguments),
+            options = {};
+        if (typeof args[1] === 'object') {
+            options = args.shift();
+        }
+        var tasks = toGraph(args[0]);
+        if (typeof args[1] === 'function') {
+            options.catcher = args[1];
+        }
+
+        return createRunner(function (parent) {
+            return new AutoManager(tasks, options, parent);
+        });
+    };
+
+    /**
+     * Validates and converts the tasks of flow.auto() to a map of task name to {deps, fn}.
+     * @private
+     */
+    function toGraph(tasks) {
+        var graph = {},
+            state = {}; //1 = visiting, 2 = visited
+        Object.keys(tasks).forEach(function (name) {
+            var spec = tasks[name],
+                deps = (spec instanceof Array ? spec.slice(0, -1) : []),
+                fn = (spec instanceof Array ? spec[spec.length - 1] : spec);
+            if (typeof fn !== 'function') {
+                throw new Error('flow.auto: Task "' + name + '" is not a function');
+            }
+            graph[name] = {deps: deps, fn: fn};
+        });
+        function visit(name, path) {
+            if (state[name] === 1) {
+                throw new Error('flow.auto: Dependency cycle ' + path.slice(path.indexOf(name)).concat(name).join(' -> '));
+            }
+            if (!state[name]) {
+                state[name] = 1;
+                graph[name].deps.forEach(function (dep) {
+                    if (!graph.hasOwnProperty(dep)) {
+                        throw new Error('flow.auto: Task "' + name + '" depends on unknown task "' + dep + '"');
+                    }
+                    visit(dep, path.concat(name));
+                });
+                state[name] = 2;
+            }
+        }
+        Object.keys(graph).forEach(function (name) {
+            visit(name, []);
+        });
+        return graph;
+    }
+
+    var listeners = {}, //listeners registered with flow.on()
+        checkpointed = {}, //named flows that have a store, by name
+        //Promises returned by runs of flows (see settleWith()).
+        flowRuns = (typeof WeakSet === 'function' ? new WeakSet() : {add: function () {}, has: function () {}}),
+        runCount = 0,
+        maxSyncDepth = 100; //maximum number of tasks executing each other synchronously, before deferring to the outermost loop.
+
+    /**
+     * Resumes a run of a flow (that has config.name and config.store) from it's last snapshot. The task that was in
+     * progress when the snapshot was taken is executed again, with the same inputs.
+     *
+     *     flow.resume(runId, function (err, result) { ... });
+     *
+     * Stores of all named flows are looked up for the snapshot. If not found, the callback gets an error.
+     * The context of the resumed run gets the properties set by the tasks back from the snapshot. The snapshot doesn't have the
+     * context the run was seeded with, so pass it again as runOptions.context.
+     * @param {String|Number} runId Id of the run (handle.runId of the run).
+     * @param {Function} [callback] Same as the callback of a run.
+     * @param {Object} [runOptions] Same as runOptions of a run.
+     * @return {Promise|Object} Same as the handle of a run.
+     * @member flow
+     */
+    flow.resume = function (runId, callback, runOptions) {
+        if (callback && typeof callback === 'object') {
+            runOptions = callback;
+            callback = null;
+        }
+        runOptions = runOptions || {};
+        var handle, runHandle, cancelReason,
+            cancelled = false,
+            stores = [];
+        if (!callback && typeof Promise === 'function') {
+            handle = new Promise(function (resolve) {
+                callback = function (error, result, baggage, details) {
+                    resolve(details);
+                };
+            });
+            flowRuns.add(handle);
+        }
+        callback = callback || function () {};
+        handle = handle || {};
+        handle.runId = runId;
+        handle.cancel = function (reason) {
+            if (runHandle) {
+                runHandle.cancel(reason);
+            } else {
+                cancelled = true;
+                cancelReason = reason;
+            }
+        };
+
+        Object.keys(checkpointed).forEach(function (name) {
+            if (stores.indexOf(checkpointed[name].store) < 0) {
+                stores.push(checkpointed[name].store);
+            }
+        });
+        function fail(error) {
+            callback(error, undefined, null, {error: error, result: undefined, baggage: null});
+        }
+        (function lookup(i) {
+            if (i === stores.length) {
+                fail(new Error('flow: No snapshot of run ' + runId));
+                return;
+            }
+            callStore(stores[i], 'get', [runId], function (error, snapshot) {
+                if (error) {
+                    fail(error);
+                    return;
+                }
+                var entry = (snapshot ? checkpointed[snapshot.flow] : null);
+                if (!entry || entry.store !== stores[i]) {
+                    lookup(i + 1);
+                    return;
+                }
+                runHandle = entry.run(null, null, callback, {
+                    signal: runOptions.signal,
+                    context: runOptions.context,
+                    runId: runId,
+                    checkpoint: snapshot
+                });
+                if (cancelled) {
+                    runHandle.cancel(cancelReason);
+                }
+            });
+        }(0));
+        return handle;
+    };
+
+    /**
+     * Register a listener for an event of every flow. Each event is an object with the following properties:
+     * event, flow (name of the flow), run (id of the run), parentRun and depth (for flows used as tasks of other flows),
+     * time, task (index) and name (of the task). Additional properties of the events are:
+     *
+     * - taskStart: attempt, repeatCount
+     * - taskEnd: start, duration, error
+     * - parallelTick: index, attempt, start, duration, error
+     * - repeat: repeatCount
+     * - retry: index (for parallel calls), attempt (the one that failed), delay, error
+     * - error: error
+     * - complete: start, duration, error, failed, cancelled
+     * - misuse: type, message, stack (only in debug mode)
+     * - checkpoint: task (index of the next task, or undefined when the snapshot got removed), error (if the store failed)
+     *
+     * Times are in milliseconds.
+     * @param {String} event
+     * @param {Function} func
+     * @member flow
+     */
+    flow.on = function (event, func) {
+        (listeners[event] = listeners[event] || []).push(func);
+    };
+
+    /**
+     * Remove a listener registered with flow.on().
+     * @param {String} event
+     * @param {Function} func
+     * @member flow
+     */
+    flow.off = function (event, func) {
+        var funcs = listeners[event] || [],
+            index = funcs.indexOf(func);
+        if (index > -1) {
+            funcs.splice(index, 1);
+        }
+    };
+
+    /**
+     * @property {Boolean|Object} debug Enables debug mode for every flow that doesn't set config.debug. See config.debug of flow().
+     * @member flow
+     */
+    flow.debug = false;
+
     /**
      * Manages serial async tasks.
      * @private
      */
-    function SerialManager(callbacks, options) {
-        this.callbacks = callbacks.slice(0);
+    function SerialManager(callbacks, options, parent) {
+        this.callbacks = callbacks.map(function (task) {
+            return (typeof task === 'function' ? task : task.fn);
+        });
+        this.names = callbacks.map(function (task) {
+            return task.name || undefined;
+        });
+        this.complete = null;
         this.lastArgs = [];
+        this.cleanups = [];
+
+        runCount += 1;
+        this.runId = runCount;
+        this.name = options.name;
+        this.hooks = options.on || null;
+        this.parent = parent || null;
+        this.depth = (parent ? parent.depth + 1 : 0);
+        this.snapshotStore = (!parent && options.store) || null;
 
         this.currentFunc = -1;
 
+        //Unlike other options, timeout can't be changed from a task (ctl.set() only changes the timeout of the current task).
+        if (typeof options.timeout === 'number') {
+            this.timeout = options.timeout;
+        }
+        this.signal = options.signal || null;
+        this.bail = !!options.bail;
+        this.queue = [];
+        if (options.schedule === 'microtask' || options.schedule === 'immediate') {
+            this.scheduleMode = options.schedule;
+            this.yieldEvery = (options.yieldEvery > 0 ? options.yieldEvery : 1);
+        }
+        this.retry = (options.retry ? toRetryPolicy(options.retry) : null);
+        if (typeof options.maxLoops === 'number') {
+            this.maxLoops = options.maxLoops;
+        }
+        var debug = (options.debug !== undefined ? options.debug : flow.debug);
+        this.debug = (debug ? toDebugConfig(debug) : null);
         this.set(options);
     }
     SerialManager.prototype = {
         callbacks: null,
+        names: null, //names of the tasks
+
+        runId: 0,
+        name: undefined,
+        hooks: null,
+        parent: null, //SerialManager of the flow that this flow is a task of.
+        depth: 0,
+        startTime: 0,
+        complete: null, //called with (error, result, baggage, details) once all the tasks complete.
+        finished: false,
+        cleanups: null, //functions to call once finished.
+        snapshotStore: null,
+        saving: false, //true while the store is saving a snapshot
+        pendingSnapshot: undefined, //snapshot to save once the store is done saving (null to remove the snapshot)
+        pendingCallback: null,
 
         currentFunc: -1,
+        queue: null, //arguments of the calls to next() that are yet to be processed
+        looping: false,
+        stepDepth: 0, //number of steps in progress on the stack
+        scheduleMode: 'sync', //config.schedule
+        yieldEvery: 0,
         repeatNext: false,
         repeatCount: 0,
+        loops: 0, //number of backward jumps
+        maxLoops: 1000,
+
+        retry: null, //retry policy of the flow
+        taskRetry: null, //retry policy of the current task
+        retrying: false,
+        retryTimer: null,
+        attempt: 1,
 
         result: null,
         error: null,
         scope: null,
+        timeout: 0,
+        bail: false,
+        failed: null, //info about the failed task (in bail mode)
+        debug: null,
+        ctl: null, //ControlHelper instance of the current task.
+        context: null, //shared by all tasks of the run (see ControlHelper.context).
+
+        signal: null,
+        abortController: null,
+        cancelled: false,
+        cancelError: null,
+
         lastArgs: null, //keeps track of arguments passed to last callback. This is needed in case of repeating a callback.
 
         /**
@@ -86,9 +474,13 @@
          * Tell what to do when counter hits zero or an error condition.
          * @param {Object} config
          * @param {Boolean} [config.repeat=false] If true, repeats the current task once, when counter hits zero.
+         * @param {Number|Object|Boolean} [config.retry] Retry policy of the current task.
          * @param {Object} [config.scope]
          */
         set: function (options) {
+            if (options.retry !== undefined) {
+                this.taskRetry = toRetryPolicy(options.retry);
+            }
             if (typeof options.repeat === 'boolean') {
                 this.repeatNext = options.repeat;
             }
@@ -117,20 +509,83 @@
             }
         },
         /**
-         * Execute the next task.
+         * Execute the next task. In 'sync' schedule, the next task is executed right away, unless tasks already
+         * executed each other synchronously maxSyncDepth times, in which case it is executed once the stack unwinds to the outermost loop.
+         * In other schedules, if called from a task (or anything else executed by the loop), then the next task is executed once the caller returns.
          */
         next: function (error, result, baggage) {
+            this.queue.push([error, result, baggage]);
+            if (!this.looping || (!this.yieldEvery && this.stepDepth < maxSyncDepth)) {
+                this.loop();
+            }
+        },
+
+        /**
+         * Processes the queued calls to next(), yielding to the event loop every yieldEvery steps (as per config.schedule).
+         * @private
+         */
+        loop: function () {
+            var self = this,
+                outermost = !this.looping,
+                steps = 0,
+                args;
+            this.looping = true;
+            try {
+                while (this.queue.length) {
+                    if (this.yieldEvery && steps === this.yieldEvery) {
+                        defer(this.scheduleMode, function () {
+                            self.looping = false;
+                            self.loop();
+                        });
+                        return;
+                    }
+                    steps += 1;
+                    args = this.queue.shift();
+                    this.stepDepth += 1;
+                    try {
+                        this.step(args[0], args[1], args[2]);
+                    } finally {
+                        this.stepDepth -= 1;
+                    }
+                }
+            } catch (e) {
+                if (outermost) {
+                    this.queue = [];
+                    this.looping = false;
+                }
+                throw e;
+            }
+            if (outermost) {
+                this.looping = false;
+            }
+        },
+
+        /**
+         * @private
+         */
+        step: function (error, result, baggage) {
+            if (this.cancelled) {
+                return;
+            }
             if (error !== undefined || result !== undefined) {
                 this.error = error;
                 this.result = result;
             }
 
             var err, res;
-            if (this.repeatNext) {
+            if (this.retrying) {
+                err = this.lastArgs[0];
+                res = this.lastArgs[1];
+                baggage = this.lastArgs[2];
+
+                this.retrying = false;
+            } else if (this.repeatNext) {
                 err = this.lastArgs[0];
                 res = this.lastArgs[1];
 
                 this.repeatCount += 1;
+                this.attempt = 1;
+                this.emit('repeat', {task: this.currentFunc, repeatCount: this.repeatCount});
             } else {
                 this.currentFunc += 1;
                 err = this.error;
@@ -140,178 +595,1784 @@
                 this.error = null;
                 this.result = null;
                 this.repeatCount = 0;
+                this.attempt = 1;
+                this.taskRetry = null;
+
+                if (this.snapshotStore && this.currentFunc < this.callbacks.length) {
+                    this.checkpoint({flow: this.name, task: this.currentFunc, error: err, result: res, baggage: baggage, context: copyOwn(this.context)});
+                }
             }
             this.repeatNext = false;
 
             if (this.callbacks[this.currentFunc]) {
-                this.lastArgs = [err, res];
+                this.lastArgs = [err, res, baggage];
                 var mgr = new ControlHelper({manager: this});
                 mgr.repeatCount = this.repeatCount;
+                mgr.attempt = this.attempt;
+                this.ctl = mgr;
+                if (this.timeout > 0) {
+                    mgr.setTimeout(this.timeout);
+                }
+                //the last task of a flow doesn't have to call next() (unless the flow is a task of another flow).
+                if (this.debug && this.debug.stallTime > 0 && (this.parent || this.currentFunc < this.callbacks.length - 1)) {
+                    mgr.watch(this.debug.stallTime);
+                }
+                this.emit('taskStart', {task: this.currentFunc, attempt: this.attempt, repeatCount: this.repeatCount});
 
                 if (!this.catcher) {
-                    this.callbacks[this.currentFunc].apply(this.scope, [mgr, err, res, baggage]);
+                    this.invoke(this.callbacks[this.currentFunc], mgr, [mgr, err, res, baggage]);
                 } else {
                     try {
-                        this.callbacks[this.currentFunc].apply(this.scope, [mgr, err, res, baggage]);
+                        this.invoke(this.callbacks[this.currentFunc], mgr, [mgr, err, res, baggage]);
                     } catch (e) {
-                        this.catcher.call(this.scope, e);
+                        if (this.bail && hasError(e)) {
+                            this.fail(e, undefined, mgr.baggage);
+                        } else {
+                            this.emit('error', {task: mgr.task, error: e});
+                            this.catcher.call(this.scope, e);
+                        }
                     }
                 }
+            } else if (this.currentFunc === this.callbacks.length) {
+                this.ctl = null;
+                if (this.snapshotStore) {
+                    //remove the snapshot first, so that a completed run can't be resumed (e.g. if the callback exits the process).
+                    var self = this;
+                    this.checkpoint(null, function () {
+                        self.finish(err, res, baggage);
+                    });
+                } else {
+                    this.finish(err, res, baggage);
+                }
             }
         },
 
         /**
-         * Start executing task. Similar signature as next(), but additionally takes
-         * a 4th parameter as callback, that will be called once all the tasks complete.
+         * Saves the snapshot to the store (or removes the snapshot of the run, if null). Snapshots are saved one at a time,
+         * skipping the ones that got outdated while the store was busy.
+         * @param {Object} snapshot
+         * @param {Function} [callback] Called once the store is done with the snapshot.
          */
-        execute: function (err, result, baggage, cb) {
-            this.callbacks.push(cb);
-            this.next(err, result, baggage);
-        }
-    };
-
-    /**
-     * Provides control functions to associated SerialManager as well as
-     * helps to manage parallel async calls within the serial task.
-     *
-     * Works internally with a simple idea of using counters to manage parallel calls.
-     */
-    function ControlHelper(config) {
-        //A ControlHelper instance can only be created within a serial task.
-        //Hence ControlHelper instnace is always associated with a SerialManager instance.
-        this.manager = config.manager;
-        this.count = 0;
-        this.baggage = null;
-
-        //bind next, so that it can be passed directly to node.js APIs like fs.readFile.
-        this.next = this.next.bind(this);
-        this.resolve = this.resolve.bind(this);
-        this.reject = this.reject.bind(this);
-    }
+        checkpoint: function (snapshot, callback) {
+            if (this.saving) {
+                this.pendingSnapshot = snapshot;
+                this.pendingCallback = callback || null;
+                return;
+            }
+            var self = this;
+            this.saving = true;
+            callStore(this.snapshotStore, (snapshot ? 'set' : 'remove'), (snapshot ? [this.runId, snapshot] : [this.runId]), function (error) {
+                self.saving = false;
+                self.emit('checkpoint', {task: (snapshot ? snapshot.task : undefined), error: error || undefined});
+                if (self.pendingSnapshot !== undefined) {
+                    snapshot = self.pendingSnapshot;
+                    self.pendingSnapshot = undefined;
+                    self.checkpoint(snapshot, self.pendingCallback);
+                    self.pendingCallback = null;
+                }
+                if (callback) {
+                    callback();
+                }
+            });
+        },
 
-    ControlHelper.prototype = {
         /**
-         * Set counter value and also the behavior of task execution.
-         * "Behavior" means to tell flowjs what to do when counter hits zero or when faced with an error.
-         *
-         * @param {Number} count Value of the counter to be set.
-         * @param {Boolean} [repeat=false] If true, repeats the current task exactly once, when counter hits zero.
+         * Execute the task at the given index (or complete the flow if index is past the last task).
          */
-        set: function (count, repeat) {
-            var config = count;
-            if (typeof count === 'number') {
-                config = {
-                    count: count,
-                    repeat: repeat
-                };
-            }
-            if (typeof config.count === 'number' && config.count > 0) {
-                this.count = config.count;
+        jump: function (index, error, result, baggage) {
+            if (index <= this.currentFunc) {
+                this.loops += 1;
+                if (this.loops > this.maxLoops) {
+                    this.fail(new LoopError('Jumped back more than ' + this.maxLoops + ' times', this.maxLoops), undefined, baggage);
+                    return;
+                }
             }
-
-            this.manager.set(config);
+            this.currentFunc = Math.max(index, 0) - 1;
+            this.repeatNext = false;
+            this.next(error, result, baggage);
         },
 
         /**
-         * Set "baggage". This will be passed as third parameter to the next task.
-         * Useful for avoiding scoped variables for your tasks.
+         * Returns index of a task given it's name (or index).
          */
-        setBaggage: function (b) {
-            this.baggage = b;
+        indexOf: function (task) {
+            var index = (typeof task === 'number' ? task : this.names.indexOf(task));
+            if (index < 0 || index >= this.callbacks.length) {
+                throw new Error('flow: No task named ' + task);
+            }
+            return index;
         },
 
         /**
-         * Set counter value and also the behavior of task execution.
-         * "Behavior" means to tell flowjs what to do when counter hits zero or when faced with an error.
-         *
-         * Polymorhic form of set(count, repeat) method.
-         * @param {Object} config
-         * @param {Number} config.count Same as count param when it is a number.
-         * @param {Boolean} [config.repeat=false] Same as repeat param.
-         * @method set
+         * Tells whether a task (or a parallel call) that failed with the given error can be attempted again.
          */
+        canRetry: function (error, attempt) {
+            var policy = this.taskRetry || this.retry;
+            return !!policy && attempt < policy.attempts && (!policy.retryIf || !!policy.retryIf(error, attempt));
+        },
 
         /**
-         * Decrements counter by 1. Send the error or result.
-         * @param {Number} [index] The desired index in the results/errors array (of the next task) where the provided result/error should be placed.
-         * @param {Any|null} error
-         * @param {Any|null} result
-         * @private
+         * Milliseconds to wait before the next attempt.
          */
-        tick: function (index, error, result) {
-            if (arguments.length < 3) {
-                result = error;
-                error = index;
+        retryDelay: function (attempt) {
+            var policy = this.taskRetry || this.retry,
+                delay = policy.delay;
+            if (policy.backoff === 'exponential') {
+                delay *= Math.pow(policy.factor, attempt - 1);
             }
-            //prevent invalid state...
-            if (this.count > 0) {
-                this.count -= 1;
-                this.manager.store(error, result, index);
-                this.next();
+            delay = Math.min(delay, policy.maxDelay);
+            return delay - (delay * policy.jitter * Math.random());
+        },
+
+        /**
+         * Attempts the current task again (with the same arguments), if the retry policy allows it.
+         * @return {Boolean} Returns false if the task can't be retried.
+         */
+        retryTask: function (error) {
+            if (!this.canRetry(error, this.attempt)) {
+                return false;
             }
+            var self = this,
+                delay = this.retryDelay(this.attempt);
+            this.error = null;
+            this.result = null;
+            this.emit('retry', {task: this.currentFunc, attempt: this.attempt, delay: delay, error: error});
+            this.retryTimer = setTimeout(function () {
+                self.retryTimer = null;
+                self.attempt += 1;
+                self.retrying = true;
+                self.next();
+            }, delay);
+            return true;
         },
+
         /**
-         * Execute the next task of the series.
-         * Note: The next task won't be called if counter is greater than zero.
+         * Reports misuse of the control object (in debug mode). Misuse after the flow got cancelled (or failed in bail mode)
+         * isn't reported, as callbacks are expected to be called late in that case.
+         * @param {String} type
+         * @param {Number} task Index of the task.
+         * @param {String} message
+         * @param {String} [stack] Defaults to the current stack.
          */
-        next: function (error, result) {
-            if (this.count === 0) {
-                this.count -= 1; //set to -1 so that future decrements, doesn't affect.
-                this.manager.next(error, result, this.baggage);
+        report: function (type, task, message, stack) {
+            if (!this.debug || this.cancelled || this.failed) {
+                return;
             }
+            var name = this.names[task],
+                error = new Error('flow' + (this.name ? ' "' + this.name + '"' : '') + ' (run ' + this.runId + '), task ' + task +
+                    (name ? ' "' + name + '"' : '') + ': ' + message),
+                report = {
+                    type: type,
+                    message: error.message,
+                    flow: this.name,
+                    run: this.runId,
+                    task: task,
+                    name: name,
+                    stack: error.message + callSite(stack || error.stack)
+                };
+            this.emit('misuse', report);
+            this.debug.report(report);
         },
+
         /**
-         * Utility function to help one to execute 'n' number of parallel tasks.
-         * @param {Number|Array|Object} n If number then this is the number of parallel tasks. If n is an array then func is called for each item of the array.
-         * If object then the config is mostly same as set() method and additionally config.array can be set instead of config.count.
-         * @param {Function} func(i or item, cb) The function to call 'n' number of times. func gets an index (or an item of array) and a callback as parameters.
-         * Make sure callback is called eventually and exactly once within func. Calling the callback a second time won't do anything (the passed values are discarded).
-         * @param {Object} [context] Context of 'this' keyword within func.
+         * Calls the listeners of the event (listeners of this flow, the parent flows and the ones registered with flow.on()).
+         * @param {String} event
+         * @param {Object} data Event specific properties.
          */
-        parallel: function (n, func, context) {
-            if (typeof n === 'object' && !(n instanceof Array)) {
-                this.set(n);
-                n = n.array ? n.array : n.count;
+        emit: function (event, data) {
+            var funcs = (listeners[event] || []).slice(),
+                mgr;
+            for (mgr = this; mgr; mgr = mgr.parent) {
+                if (mgr.hooks && typeof mgr.hooks[event] === 'function') {
+                    funcs.push(mgr.hooks[event]);
+                }
+            }
+            if (!funcs.length) {
+                return;
             }
-            var i;
-            if (typeof n === 'number') {
-                this.set(n);
-                for (i = 0; i < n; i += 1) {
-                    func.call(context, i, oneTimeUse(this.tick, this, i));
+            data.event = event;
+            data.flow = this.name;
+            data.run = this.runId;
+            data.parentRun = (this.parent ? this.parent.runId : undefined);
+            data.depth = this.depth;
+            data.time = now();
+            if (data.task !== undefined) {
+                data.name = this.names[data.task];
+            }
+            funcs.forEach(function (func) {
+                func(data);
+            });
+        },
+
+        /**
+         * Call a task. If the task returns a thenable (like a Promise), then the next task
+         * is executed with the settled value of the thenable.
+         * If the task returns an object with a cancel() method (like the handle returned by a flow), then
+         * it is called when this flow is cancelled.
+         */
+        invoke: function (func, mgr, args) {
+            var ret = func.apply(this.scope, args);
+            settleWith(ret, function (error, result) {
+                //it is fine for a task to call ctl.next() and also return a thenable.
+                //a task that used ctl (e.g. an async function that set the counter) and fulfills with undefined, calls ctl.next() itself.
+                if (!mgr.advanced && !(mgr.used && !hasError(error) && result === undefined)) {
+                    mgr.next(error, result);
+                }
+            });
+            cancelWith(ret, mgr);
+        },
+
+        /**
+         * Start executing task. Similar signature as next(), but additionally takes
+         * an AbortSignal and a callback, that will be called once all the tasks complete.
+         */
+        execute: function (err, result, baggage, signal, cb) {
+            this.complete = cb;
+            this.startTime = now();
+            this.listen(this.signal);
+            this.listen(signal);
+            this.next(err, result, baggage);
+        },
+
+        /**
+         * Calls the complete callback, if not already called.
+         * @param {Object} [failed] Info about the failed task (in bail mode).
+         */
+        finish: function (error, result, baggage, failed) {
+            if (!this.finished) {
+                this.finished = true;
+                while (this.cleanups.length) {
+                    this.cleanups.shift()();
                 }
-            } else if (n instanceof Array) {
-                this.set(n.length);
-                for (i = 0; i < n.length; i += 1) {
-                    func.call(context, n[i], oneTimeUse(this.tick, this, i), i);
+                var details = {error: error, result: result, baggage: baggage, context: this.context};
+                if (failed) {
+                    details.failed = failed;
                 }
+                this.emit('complete', {
+                    start: this.startTime,
+                    duration: now() - this.startTime,
+                    error: error,
+                    failed: failed,
+                    cancelled: this.cancelled
+                });
+                this.complete(error, result, baggage, details);
             }
         },
 
         /**
-         * Alias for next(null, result). API inspired from Promises.
-         * @param {Any} result
+         * Skip the remaining tasks because of an error (in bail mode).
+         * @param {Any} error
+         * @param {Number} [index] Index of the failed parallel call.
+         * @param {Any} [baggage]
          */
-        resolve: function (result) {
-            this.next(null, result);
+        fail: function (error, index, baggage) {
+            var failed = {task: this.currentFunc, name: this.names[this.currentFunc], index: index, error: error};
+            this.failed = failed;
+            if (this.ctl) {
+                this.ctl.stop(error);
+                this.ctl = null;
+            }
+            if (this.catcher) {
+                this.catcher.call(this.scope, error, failed);
+            }
+            this.finish(error, undefined, baggage, failed);
         },
 
         /**
-         * Alias for next(err). API inspired from Promises.
-         * @param {Any} err
+         * Cancel the flow once the AbortSignal is aborted.
          */
-        reject: function (err) {
-            this.next(err);
-        }
-    };
-
-    function oneTimeUse(func, scope, i) {
-        var called = false;
-        return function (errs, results) {
-            if (!called) {
-                called = true;
-                return func.call(scope, i, errs, results);
+        listen: function (signal) {
+            if (!signal) {
+                return;
             }
-        };
+            var self = this;
+            function onAbort() {
+                self.cancel(signal.reason);
+            }
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort);
+                this.cleanups.push(function () {
+                    signal.removeEventListener('abort', onAbort);
+                });
+            }
+        },
+
+        /**
+         * Stops executing tasks, runs the cancel hooks of the current task and
+         * calls the complete callback with a flow.CancelError.
+         * @param {Any} [reason]
+         */
+        cancel: function (reason) {
+            if (this.cancelled || this.finished) {
+                return;
+            }
+            var error = (reason instanceof CancelError ? reason : new CancelError(reason));
+            this.cancelled = true;
+            this.cancelError = error;
+            clearTimeout(this.retryTimer);
+            if (this.abortController) {
+                this.abortController.abort(error);
+            }
+            if (this.ctl) {
+                this.ctl.cancelTask(error);
+            }
+            this.finish(error, undefined, null);
+        },
+
+        /**
+         * Returns an AbortSignal that is aborted when the flow is cancelled. Returns null when the
+         * environment doesn't support AbortController.
+         */
+        getSignal: function () {
+            if (!this.abortController && typeof AbortController === 'function') {
+                this.abortController = new AbortController();
+                if (this.cancelled) {
+                    this.abortController.abort(this.cancelError);
+                }
+            }
+            return this.abortController ? this.abortController.signal : null;
+        }
+    };
+
+    /**
+     * Manages the tasks of flow.auto(). Each task is executed by a SerialManager of it's own (with this as parent),
+     * so that tasks get the same control object as tasks of flow().
+     * @private
+     */
+    function AutoManager(graph, options, parent) {
+        SerialManager.call(this, [], options, parent);
+        var self = this;
+        this.snapshotStore = null; //flow.auto() doesn't take snapshots.
+
+        this.graph = graph;
+        this.results = {};
+        this.started = {};
+        this.running = {}; //SerialManager instance of each task in progress
+        this.remaining = Object.keys(graph).length;
+
+        //options for the SerialManager of each task.
+        this.taskOptions = {};
+        ['name', 'timeout', 'retry', 'maxLoops', 'debug', 'scope'].forEach(function (key) {
+            self.taskOptions[key] = options[key];
+        });
+    }
+    AutoManager.prototype = Object.create(SerialManager.prototype);
+
+    AutoManager.prototype.execute = function (err, result, baggage, signal, cb) {
+        this.complete = cb;
+        this.startTime = now();
+        this.listen(this.signal);
+        this.listen(signal);
+        if (!this.cancelled) {
+            this.schedule();
+        }
+    };
+
+    /**
+     * Starts the tasks whose dependencies have completed (or completes the flow if no task remains).
+     */
+    AutoManager.prototype.schedule = function () {
+        var self = this;
+        if (!this.remaining) {
+            this.finish(null, this.results, null);
+            return;
+        }
+        Object.keys(this.graph).forEach(function (name) {
+            var ready = self.graph[name].deps.every(function (dep) {
+                return self.results.hasOwnProperty(dep);
+            });
+            if (ready && !self.started[name] && !self.finished) {
+                self.start(name);
+            }
+        });
+    };
+
+    AutoManager.prototype.start = function (name) {
+        var self = this,
+            task = this.graph[name],
+            options = Object.create(this.taskOptions),
+            depResults = {};
+        task.deps.forEach(function (dep) {
+            depResults[dep] = self.results[dep];
+        });
+        if (this.catcher) {
+            options.catcher = function catcher(e) {
+                self.failTask(name, e);
+            };
+        }
+        var manager = new SerialManager([{
+            name: name,
+            fn: function (ctl, err, results) {
+                return task.fn.call(this, ctl, results);
+            }
+        }], options, this);
+        manager.context = this.context; //tasks of the graph share the context, like tasks of a flow.
+
+        this.started[name] = true;
+        this.running[name] = manager;
+        manager.execute(null, depResults, null, null, function (error, result) {
+            delete self.running[name];
+            if (self.finished || self.failed) {
+                return;
+            }
+            if (hasError(error)) {
+                self.failTask(name, error);
+            } else {
+                self.results[name] = result;
+                self.remaining -= 1;
+                self.schedule();
+            }
+        });
+    };
+
+    /**
+     * Cancels the tasks in progress and completes the flow with the error of the failed task.
+     */
+    AutoManager.prototype.failTask = function (name, error) {
+        if (this.finished || this.failed) {
+            return;
+        }
+        var failed = {task: name, name: name, error: error};
+        this.failed = failed;
+        this.stopTasks(error);
+        if (this.catcher) {
+            this.catcher.call(this.scope, error, failed);
+        }
+        this.finish(error, this.results, null, failed);
+    };
+
+    AutoManager.prototype.cancel = function (reason) {
+        if (!this.cancelled && !this.finished) {
+            SerialManager.prototype.cancel.call(this, reason);
+            this.stopTasks(this.cancelError);
+        }
+    };
+
+    AutoManager.prototype.stopTasks = function (reason) {
+        var running = this.running;
+        this.running = {};
+        Object.keys(running).forEach(function (name) {
+            running[name].cancel(reason);
+        });
+    };
+
+    /**
+     * Provides control functions to associated SerialManager as well as
+     * helps to manage parallel async calls within the serial task.
+     *
+     * Works internally with a simple idea of using counters to manage parallel calls.
+     */
+    function ControlHelper(config) {
+        //A ControlHelper instance can only be created within a serial task.
+        //Hence ControlHelper instnace is always associated with a SerialManager instance.
+        this.manager = config.manager;
+        this.task = this.manager.currentFunc;
+        this.context = this.manager.context;
+        this.startTime = now();
+        this.stopped = false;
+        this.settleAll = false; //true if parallel calls shouldn't bail
+        this.advanced = false; //true once the task called next() (or jumped)
+        this.expired = false;
+        this.used = false; //true once the task called a method of ctl (other than the ones that advance)
+        this.stallTimer = null;
+        this.count = 0;
+        this.baggage = null;
+        this.attempt = 1;
+        this.timer = null;
+        this.expireParallel = null;
+        this.stopParallel = null;
+        this.cancelHooks = [];
+
+        //bind next, so that it can be passed directly to node.js APIs like fs.readFile.
+        this.next = this.next.bind(this);
+        this.done = this.done.bind(this);
+        this.resolve = this.resolve.bind(this);
+        this.reject = this.reject.bind(this);
+    }
+
+    ControlHelper.prototype = {
+        /**
+         * @property {AbortSignal} signal An AbortSignal that gets aborted when the flow is cancelled.
+         * Pass it to APIs like fetch() to abort them on cancellation. null if the environment doesn't support AbortController.
+         * @readonly
+         */
+        get signal() {
+            return this.manager.getSignal();
+        },
+
+        /**
+         * @property {Boolean} aborted True if the flow has been cancelled.
+         * @readonly
+         */
+        get aborted() {
+            return this.manager.cancelled;
+        },
+
+        /**
+         * @property {Object} context Object shared by all tasks of the run (e.g. for a request id, a logger or the current user).
+         * Flows used as tasks (and each parallel call, as the context property of it's callback) get a context that inherits from this one,
+         * so that they can read it's properties, but their writes don't affect this context (nor each other).
+         * The context is also passed to the callback of the run (see flow()).
+         */
+        context: null,
+
+        /**
+         * Set counter value and also the behavior of task execution.
+         * "Behavior" means to tell flowjs what to do when counter hits zero or when faced with an error.
+         *
+         * @param {Number} count Value of the counter to be set.
+         * @param {Boolean} [repeat=false] If true, repeats the current task exactly once, when counter hits zero.
+         */
+        set: function (count, repeat) {
+            var config = count;
+            if (typeof count === 'number') {
+                config = {
+                    count: count,
+                    repeat: repeat
+                };
+            }
+            this.checkStale('set');
+            if (typeof config.count === 'number') {
+                if (config.count > 0) {
+                    this.count = config.count;
+                } else {
+                    this.misuse('invalid-count', 'Counter set to ' + config.count + ', which is ignored');
+                }
+            }
+            if (typeof config.timeout === 'number') {
+                this.setTimeout(config.timeout);
+            }
+
+            this.manager.set(config);
+        },
+
+        /**
+         * (Re)starts the timer of the current task. Once it expires, the next task is executed with a flow.TimeoutError
+         * in place of the errors that haven't arrived yet. Callbacks called after that are ignored.
+         * @param {Number} ms Milliseconds from now. 0 removes the timer.
+         * @private
+         */
+        setTimeout: function (ms) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            if (ms > 0) {
+                var self = this;
+                this.timer = setTimeout(function () {
+                    self.timer = null;
+                    self.expire(new TimeoutError('Task ' + self.task + ' timed out after ' + ms + 'ms', ms));
+                }, ms);
+            }
+        },
+
+        /**
+         * Execute the next task, with the given error in place of the errors that haven't arrived yet.
+         * @private
+         */
+        expire: function (error) {
+            this.expired = true;
+            if (this.expireParallel) {
+                this.expireParallel(error);
+            }
+            while (this.count > 0) {
+                this.tick(undefined, error, undefined);
+            }
+            if (this.count === 0) {
+                this.next(error);
+            }
+        },
+
+        /**
+         * Register a function to be called (with a flow.CancelError) if the flow is cancelled while the current task is in progress.
+         * Useful to clean up (e.g. abort a request or close a file) the async operations of the task.
+         * @param {Function} func
+         */
+        onCancel: function (func) {
+            this.checkStale('onCancel');
+            if (this.manager.cancelled) {
+                func(this.manager.cancelError);
+            } else if (this.count >= 0) {
+                this.cancelHooks.push(func);
+            }
+        },
+
+        /**
+         * Stop the task and call it's cancel hooks.
+         * @private
+         */
+        cancelTask: function (error) {
+            this.stop(error);
+            var hooks = this.cancelHooks;
+            this.cancelHooks = [];
+            hooks.forEach(function (hook) {
+                hook(error);
+            });
+        },
+
+        /**
+         * Set "baggage". This will be passed as third parameter to the next task.
+         * Useful for avoiding scoped variables for your tasks.
+         */
+        setBaggage: function (b) {
+            this.checkStale('setBaggage');
+            this.baggage = b;
+        },
+
+        /**
+         * Set counter value and also the behavior of task execution.
+         * "Behavior" means to tell flowjs what to do when counter hits zero or when faced with an error.
+         *
+         * Polymorhic form of set(count, repeat) method.
+         * @param {Object} config
+         * @param {Number} config.count Same as count param when it is a number.
+         * @param {Boolean} [config.repeat=false] Same as repeat param.
+         * @param {Number} [config.timeout] Timeout (in milliseconds, from now) for the current task.
+         * If the next task isn't called in time, it gets called with a flow.TimeoutError. 0 removes the timeout.
+         * @param {Number|Object|Boolean} [config.retry] Retry policy of the current task (overrides the retry policy of the flow).
+         * When the task calls the next task with an error (or when a parallel call fails), the task (or only the parallel call)
+         * is attempted again with the same arguments. If number then it is the maximum number of attempts. false disables retrying.
+         * @param {Number} [config.retry.attempts=3] Maximum number of attempts, including the first one.
+         * @param {String} [config.retry.backoff='fixed'] 'fixed' or 'exponential'.
+         * @param {Number} [config.retry.delay=0] Milliseconds to wait before the second attempt. With exponential backoff, the delay
+         * is multiplied by config.retry.factor for each further attempt.
+         * @param {Number} [config.retry.factor=2]
+         * @param {Number} [config.retry.maxDelay=Infinity]
+         * @param {Boolean|Number} [config.retry.jitter=0] Randomly reduces each delay by up to the given fraction of it (true means 1).
+         * @param {Function} [config.retry.retryIf] retryIf(error, attempt) decides whether the error is worth retrying.
+         * @method set
+         */
+
+        /**
+         * Decrements counter by 1. Send the error or result.
+         * @param {Number} [index] The desired index in the results/errors array (of the next task) where the provided result/error should be placed.
+         * @param {Any|null} error
+         * @param {Any|null} result
+         * @private
+         */
+        tick: function (index, error, result) {
+            if (arguments.length < 3) {
+                result = error;
+                error = index;
+            }
+            //prevent invalid state...
+            if (this.count > 0) {
+                if (this.manager.bail && !this.settleAll && hasError(error)) {
+                    this.stop(error);
+                    this.manager.fail(error, index, this.baggage);
+                    return;
+                }
+                this.count -= 1;
+                this.manager.store(error, result, index);
+                this.next();
+            }
+        },
+        /**
+         * Execute the next task of the series.
+         * Note: The next task won't be called if counter is greater than zero.
+         */
+        next: function (error, result) {
+            this.advance(error, result, true);
+        },
+
+        /**
+         * Implementation of next().
+         * @param {Boolean} retry If false, the task isn't retried on error.
+         * @private
+         */
+        advance: function (error, result, retry) {
+            if (this.count === 0) {
+                this.advanced = true;
+                this.stop(error);
+                this.cancelHooks = [];
+                if (retry && hasError(error) && this.manager.retryTask(error)) {
+                    return;
+                } else if (this.manager.bail && hasError(error)) {
+                    this.manager.fail(error, undefined, this.baggage);
+                } else {
+                    this.manager.next(error, result, this.baggage);
+                }
+            } else if (this.stopped) {
+                this.checkAdvance('next');
+            }
+        },
+
+        /**
+         * Execute the task with the given name (or index) instead of the next task. Jumping backward
+         * to an earlier task (to loop) is allowed up to config.maxLoops times (see flow()).
+         * Unlike next(), this doesn't wait for the counter to hit zero, and doesn't retry or bail on errors.
+         * @param {String|Number} task Name or index of the task.
+         * @param {Any} [error] Error to pass to the task.
+         * @param {Any} [result] Result to pass to the task.
+         */
+        goto: function (task, error, result) {
+            this.jump(this.manager.indexOf(task), error, result, 'goto');
+        },
+
+        /**
+         * Skip the next 'n' tasks. A negative 'n' jumps backward (-1 executes the current task again).
+         * @param {Number} n
+         * @param {Any} [error] Error to pass to the task.
+         * @param {Any} [result] Result to pass to the task.
+         */
+        skip: function (n, error, result) {
+            this.jump(this.manager.currentFunc + 1 + n, error, result, 'skip');
+        },
+
+        /**
+         * Skip the remaining tasks and complete the flow with the given error and result.
+         * @param {Any} [error]
+         * @param {Any} [result]
+         */
+        done: function (error, result) {
+            this.jump(this.manager.callbacks.length, error, result, 'done');
+        },
+
+        /**
+         * @private
+         */
+        jump: function (index, error, result, method) {
+            if (this.count >= 0) {
+                this.advanced = true;
+                this.stop(error);
+                this.cancelHooks = [];
+                this.manager.jump(Math.min(index, this.manager.callbacks.length), error, result, this.baggage);
+            } else {
+                this.checkAdvance(method);
+            }
+        },
+
+        /**
+         * Starts a timer that reports the task (in debug mode) if it stays pending for too long.
+         * @private
+         */
+        watch: function (ms) {
+            var self = this,
+                stack = (new Error()).stack;
+            this.stallTimer = setTimeout(function () {
+                self.misuse('stalled', 'Task pending for more than ' + ms + 'ms', stack);
+            }, ms);
+        },
+
+        /**
+         * @private
+         */
+        misuse: function (type, message, stack) {
+            this.manager.report(type, this.task, message, stack);
+        },
+
+        /**
+         * Reports a call to a method of the ctl of a task that has ended. Also marks ctl as used by the task.
+         * @private
+         */
+        checkStale: function (method) {
+            this.used = true;
+            if (this.stopped) {
+                this.misuse('stale-ctl', 'ctl.' + method + '() called after the task ended');
+            }
+        },
+
+        /**
+         * Reports a call to next() (or similar methods) after the task ended.
+         * @private
+         */
+        checkAdvance: function (method) {
+            if (this.advanced && !this.expired) {
+                this.misuse('double-next', 'ctl.' + method + '() called after the next task was already called');
+            } else {
+                this.misuse('late-callback', 'ctl.' + method + '() called after the task ended (e.g. timed out)');
+            }
+        },
+
+        /**
+         * Prevent the task from executing the next task, and stop it's timers and parallel calls.
+         * @param {Any} [error] The error the task ended with.
+         * @private
+         */
+        stop: function (error) {
+            if (this.stopped) {
+                return;
+            }
+            this.stopped = true;
+            this.count = -1; //set to -1 so that future decrements, doesn't affect.
+            this.setTimeout(0);
+            clearTimeout(this.stallTimer);
+            if (this.stopParallel) {
+                this.stopParallel();
+            }
+            this.expireParallel = null;
+            this.stopParallel = null;
+
+            this.manager.emit('taskEnd', {
+                task: this.task,
+                attempt: this.attempt,
+                start: this.startTime,
+                duration: now() - this.startTime,
+                error: error
+            });
+            if (hasError(error)) {
+                this.manager.emit('error', {task: this.task, error: error});
+            }
+        },
+        /**
+         * Utility function to help one to execute 'n' number of parallel tasks.
+         * @param {Number|Array|Object} n If number then this is the number of parallel tasks. If n is an array then func is called for each item of the array.
+         * If object then the config is mostly same as set() method and additionally config.array can be set instead of config.count.
+         * @param {Number} [n.limit] Maximum number of calls to func that can be in progress at once. The next call is made as soon as a callback is called.
+         * Results are still placed at their original index. By default there is no limit.
+         * @param {Number} [n.timeout] Timeout (in milliseconds) for each call to func. If the callback isn't called in time,
+         * a flow.TimeoutError is placed at it's index in the errors array (of the next task).
+         * @param {Number|Object|Boolean} [n.retry] Retry policy for each call to func. See set() method.
+         * A call that fails is made again (with it's callback's attempt property incremented), as long as the policy allows it.
+         * The task itself isn't retried when it ends early with errors (see n.minSuccess, n.failFast and any()).
+         * @param {Number} [n.minSuccess] Execute the next task as soon as this many calls succeed, without waiting for the rest.
+         * If that can't happen anymore (because too many calls failed), the next task is executed with the errors array as error.
+         * @param {Number} [n.quorum] Alias of n.minSuccess.
+         * @param {Boolean} [n.failFast=false] Execute the next task as soon as a call fails (with the errors and results so far).
+         * @param {Boolean} [n.settle=false] Wait for all the calls, even in bail mode (see flow()) where an error would skip the remaining tasks.
+         * @param {Boolean} [n.cancelLosers=false] When the next task is executed without waiting for all the calls (see n.minSuccess, n.failFast,
+         * race() and any()), call cancel() on what the pending calls returned (like the handle returned by a flow).
+         * @param {Function} func(i or item, cb) The function to call 'n' number of times. func gets an index (or an item of array) and a callback as parameters.
+         * Make sure callback is called eventually and exactly once within func. Calling the callback a second time won't do anything (the passed values are discarded).
+         * Instead of calling the callback, func may return a thenable (like a Promise), whose settled value is then used.
+         * If func returns an object with a cancel() method (like the handle returned by a flow), then it is called when the flow is cancelled.
+         * The callback has a context property, that inherits from the context of the task (see context property), but isn't shared with other calls.
+         * @param {Object} [context] Context of 'this' keyword within func.
+         */
+        parallel: function (n, func, context) {
+            this.fork(n, func, context, 'all', 'parallel');
+        },
+
+        /**
+         * Same as parallel(), except that the next task is executed as soon as the first call completes, with the error and result
+         * of that call (instead of arrays). Callbacks of the other calls are ignored.
+         * @param {Number|Array|Object} n Same as in parallel().
+         * @param {Function} func Same as in parallel().
+         * @param {Object} [context]
+         */
+        race: function (n, func, context) {
+            this.fork(n, func, context, 'race', 'race');
+        },
+
+        /**
+         * Same as parallel(), except that the next task is executed as soon as the first call succeeds, with the result of that call.
+         * Callbacks of the other calls are ignored. If all calls fail, the next task gets the array of errors as error.
+         * @param {Number|Array|Object} n Same as in parallel().
+         * @param {Function} func Same as in parallel().
+         * @param {Object} [context]
+         */
+        any: function (n, func, context) {
+            this.fork(n, func, context, 'any', 'any');
+        },
+
+        /**
+         * Call func for each item of an iterable (e.g. an array or a generator), an iterator, an async iterable
+         * (e.g. an async generator or a Node.js readable stream) or a WHATWG ReadableStream. Items are pulled from the source
+         * only as in-progress calls complete, so that large sources don't have to be read into memory at once.
+         * Once the source is exhausted and all calls complete, the next task is executed with an array of errors by
+         * index of the items, with null for the calls that succeeded (or null instead of the array, if no call failed). If the task times out while waiting for an item from the source,
+         * the flow.TimeoutError is placed at the index of that item.
+         * @param {Object} source
+         * @param {Function} func(item, cb, i) Same as in parallel().
+         * @param {Object} [config]
+         * @param {Number} [config.limit=1] Maximum number of calls to func that can be in progress at once.
+         * @param {Boolean} [config.settle=false] Don't skip the remaining tasks on error, even in bail mode (see flow()).
+         * @param {Object} [context] Context of 'this' keyword within func.
+         */
+        each: function (source, func, config, context) {
+            this.iterate(source, func, config || {}, context, false, 'each');
+        },
+
+        /**
+         * Same as each(), except that the next task also gets the array of results of the calls (by index of the items).
+         * @param {Object} source
+         * @param {Function} func(item, cb, i)
+         * @param {Object} [config] Same as in each().
+         * @param {Object} [context]
+         */
+        map: function (source, func, config, context) {
+            this.iterate(source, func, config || {}, context, true, 'map');
+        },
+
+        /**
+         * Implementation of each() and map().
+         * @private
+         */
+        iterate: function (source, func, config, context, collect, method) {
+            this.checkStale(method);
+            var self = this,
+                iterator = toIterator(source),
+                limit = (config.limit > 0 ? config.limit : 1),
+                index = 0,
+                running = 0,
+                looping = false,
+                pulling = false, //true while waiting for an item from an async source
+                exhausted = false,
+                stopped = false,
+                callbacks = {}, //callbacks not called yet
+                starts = {},
+                errors = null,
+                results = (collect ? [] : null);
+            this.count = 1; //so that the next task isn't executed until the source is exhausted
+            this.settleAll = !!config.settle;
+
+            function close() {
+                if (typeof iterator.return === 'function') {
+                    settleWith(iterator.return(), function () {});
+                }
+            }
+            function finish() {
+                var i;
+                stopped = true;
+                if (errors) { //same as parallel(), errors of the calls that succeeded are null.
+                    for (i = 0; i < Math.max(index, errors.length); i += 1) {
+                        if (errors[i] === undefined) {
+                            errors[i] = null;
+                        }
+                    }
+                }
+                self.manager.error = errors;
+                self.manager.result = results;
+                self.count = 0;
+                self.next();
+            }
+            function sourceError(e) {
+                if (!stopped) {
+                    stopped = true;
+                    close();
+                    self.count = 0;
+                    self.next(e);
+                }
+            }
+            function receive(step) {
+                pulling = false;
+                if (stopped || exhausted) {
+                    return;
+                }
+                if (step.done) {
+                    exhausted = true;
+                    if (!running) {
+                        finish();
+                    }
+                } else {
+                    call(index, step.value);
+                    index += 1;
+                }
+            }
+            //A loop (rather than recursion) is used, so that callbacks called synchronously don't grow the stack.
+            function pull() {
+                if (looping) {
+                    return;
+                }
+                looping = true;
+                try {
+                    while (!pulling && !stopped && !exhausted && running < limit) {
+                        pulling = true;
+                        var step;
+                        try {
+                            step = iterator.next();
+                        } catch (e) {
+                            sourceError(e);
+                            return;
+                        }
+                        if (isThenable(step)) {
+                            step.then(function (s) {
+                                receive(s);
+                                pull();
+                            }, sourceError);
+                        } else {
+                            receive(step);
+                        }
+                    }
+                } finally {
+                    looping = false;
+                }
+            }
+            function call(i, item) {
+                var cb = oneTimeUse(done, null, i, function () {
+                    self.misuse('late-callback', 'Callback of ' + method + ' call ' + i + ' called more than once (or after it timed out)');
+                });
+                cb.context = Object.create(self.context);
+                callbacks[i] = cb;
+                starts[i] = now();
+                running += 1;
+                var ret = func.call(context, item, cb, i);
+                settleWith(ret, cb);
+                cancelWith(ret, self);
+            }
+            function done(i, error, result) {
+                var start = starts[i];
+                delete callbacks[i];
+                delete starts[i];
+                running -= 1;
+                if (stopped) {
+                    self.misuse('late-callback', 'Callback of ' + method + ' call ' + i + ' called after the task ended');
+                    return;
+                }
+                self.manager.emit('parallelTick', {task: self.task, index: i, attempt: 1, start: start, duration: now() - start, error: error});
+                settle(i, error, result);
+            }
+            function settle(i, error, result) {
+                if (hasError(error)) {
+                    if (self.manager.bail && !self.settleAll) {
+                        self.stop(error);
+                        self.manager.fail(error, i, self.baggage);
+                        return;
+                    }
+                    errors = errors || [];
+                    errors[i] = error;
+                }
+                if (results) {
+                    results[i] = result;
+                }
+                if (exhausted && !running) {
+                    finish();
+                } else {
+                    pull();
+                }
+            }
+
+            this.stopParallel = function () {
+                stopped = true;
+                close();
+            };
+            this.expireParallel = function (error) {
+                exhausted = true; //stop pulling
+                close();
+                var pending = Object.keys(callbacks);
+                if (!pending.length) {
+                    //waiting for the source, so the error takes the place of the item that didn't arrive in time.
+                    settle(index, error);
+                }
+                pending.forEach(function (i) {
+                    callbacks[i](error);
+                });
+            };
+            pull();
+        },
+
+        /**
+         * Implementation of parallel(), race() and any().
+         * @param {String} mode 'all', 'race' or 'any'.
+         * @param {String} method Name of the public method.
+         * @private
+         */
+        fork: function (n, func, context, mode, method) {
+            var limit = 0,
+                timeout = 0,
+                minSuccess = 0,
+                failFast = false,
+                cancelLosers = false;
+            if (typeof n === 'object' && !(n instanceof Array)) {
+                limit = n.limit;
+                timeout = n.timeout;
+                minSuccess = n.minSuccess || n.quorum || 0;
+                failFast = !!n.failFast;
+                cancelLosers = !!n.cancelLosers;
+                this.settleAll = !!n.settle;
+                //config.timeout is for each call and not for the whole task, hence skip this.set().
+                this.manager.set(n);
+                n = n.array ? n.array : n.count;
+            }
+            var items = (n instanceof Array ? n : null),
+                total = (items ? items.length : n);
+            if (typeof total !== 'number') {
+                return;
+            }
+            this.checkStale(method);
+            if (total > 0) {
+                this.count = total;
+            } else {
+                this.misuse('invalid-count', 'ctl.' + method + '() called with nothing to do, which is ignored');
+            }
+
+            var self = this,
+                started = 0,
+                running = 0,
+                launching = false,
+                stopped = false,
+                expiring = false,
+                settled = false, //true if the next task got executed without waiting for all the calls
+
+                callbacks = [], //callbacks not called yet
+                handles = [], //return values of func that can be cancelled
+                ticked = [],
+                attempts = [],
+                starts = [],
+                timers = [],
+                successes = 0,
+                failures = 0,
+                errors = [];
+            function call(i) {
+                var cb = oneTimeUse(done, null, i, function () {
+                    self.misuse('late-callback', 'Callback of parallel call ' + i + ' called more than once (or after it timed out)');
+                });
+                cb.attempt = attempts[i];
+                cb.context = Object.create(self.context);
+                callbacks[i] = cb;
+                starts[i] = now();
+                if (timeout > 0) {
+                    timers[i] = setTimeout(function () {
+                        cb(new TimeoutError('Parallel call ' + i + ' timed out after ' + timeout + 'ms', timeout));
+                    }, timeout);
+                }
+                var ret = (items ? func.call(context, items[i], cb, i) : func.call(context, i, cb));
+                settleWith(ret, cb);
+                cancelWith(ret, self);
+                handles[i] = (ret && typeof ret.cancel === 'function' ? ret : null);
+            }
+            function done(i, error, result) {
+                callbacks[i] = null;
+                clearTimeout(timers[i]);
+                if (stopped && !expiring && !settled) {
+                    self.misuse('late-callback', 'Callback of parallel call ' + i + ' called after the task ended');
+                }
+                if (!stopped && hasError(error) && self.manager.canRetry(error, attempts[i])) {
+                    var delay = self.manager.retryDelay(attempts[i]);
+                    self.manager.emit('retry', {task: self.task, index: i, attempt: attempts[i], delay: delay, error: error});
+                    timers[i] = setTimeout(function () {
+                        attempts[i] += 1;
+                        call(i);
+                    }, delay);
+                    return;
+                }
+                if (self.count > 0) {
+                    self.manager.emit('parallelTick', {
+                        task: self.task,
+                        index: i,
+                        attempt: attempts[i],
+                        start: starts[i],
+                        duration: now() - starts[i],
+                        error: error
+                    });
+                }
+                running -= 1;
+                complete(i, error, result);
+                launch();
+            }
+            //Decides whether to execute the next task, based on the mode.
+            function complete(i, error, result) {
+                if (settled) {
+                    return;
+                }
+                ticked[i] = true;
+                var failed = (error !== undefined && error !== null);
+                if (mode === 'all' && !minSuccess && !failFast) {
+                    self.tick(i, error, result);
+                } else if (self.count > 0) {
+                    if (failed) {
+                        failures += 1;
+                    } else {
+                        successes += 1;
+                    }
+                    if (mode === 'race') {
+                        finish(error, result);
+                    } else if (mode === 'any') {
+                        errors[i] = error;
+                        if (!failed) {
+                            finish(null, result);
+                        } else if (failures === total) {
+                            finish(errors);
+                        }
+                    } else {
+                        self.manager.store(error, result, i);
+                        if (failed && failFast) {
+                            finish(self.manager.error, self.manager.result);
+                        } else if (minSuccess && successes >= minSuccess) {
+                            finish();
+                        } else if (minSuccess && total - failures < minSuccess) {
+                            finish(self.manager.error, self.manager.result);
+                        } else if (successes + failures === total) {
+                            finish();
+                        }
+                    }
+                }
+            }
+            //Execute the next task without waiting for the pending calls.
+            function finish(error, result) {
+                var i;
+                stopped = true;
+                settled = true;
+                started = total; //stop launching
+                timers.forEach(clearTimeout);
+                for (i = 0; i < total; i += 1) {
+                    if (!ticked[i] && cancelLosers && handles[i]) {
+                        handles[i].cancel(new CancelError('Another parallel call completed first'));
+                    }
+                }
+                self.count = 0;
+                //calls that failed were already retried as per their retry policy, so the task isn't retried.
+                self.advance(error, result, false);
+            }
+            //A loop (rather than recursion) is used, so that callbacks called synchronously don't grow the stack.
+            function launch() {
+                if (launching) {
+                    return;
+                }
+                launching = true;
+                try {
+                    while (started < total && !(limit > 0 && running >= limit)) {
+                        attempts[started] = 1;
+                        started += 1;
+                        running += 1;
+                        call(started - 1);
+                    }
+                } finally {
+                    launching = false;
+                }
+            }
+            this.stopParallel = function () {
+                stopped = true;
+                started = total; //stop launching
+                timers.forEach(clearTimeout);
+            };
+            this.expireParallel = function (error) {
+                var i;
+                stopped = true;
+                expiring = true;
+                started = total; //stop launching
+                timers.forEach(clearTimeout);
+                for (i = 0; i < total; i += 1) {
+                    if (callbacks[i]) {
+                        callbacks[i](error);
+                    } else if (!ticked[i]) { //not started yet or waiting to be retried
+                        complete(i, error, undefined);
+                    }
+                }
+                expiring = false;
+            };
+            launch();
+        },
+
+        /**
+         * Alias for next(null, result). API inspired from Promises.
+         * @param {Any} result
+         */
+        resolve: function (result) {
+            this.next(null, result);
+        },
+
+        /**
+         * Alias for next(err). API inspired from Promises.
+         * @param {Any} err
+         */
+        reject: function (err) {
+            this.next(err);
+        }
+    };
+
+    function oneTimeUse(func, scope, i, onRepeat) {
+        var called = false;
+        return function (errs, results) {
+            if (!called) {
+                called = true;
+                return func.call(scope, i, errs, results);
+            } else if (onRepeat) {
+                onRepeat();
+            }
+        };
+    }
+
+    /**
+     * Error passed to the next task when a task or a parallel call doesn't complete within the configured timeout.
+     * @class flow.TimeoutError
+     * @extends Error
+     * @param {String} message
+     * @param {Number} timeout The timeout (in milliseconds) that was exceeded.
+     */
+    function TimeoutError(message, timeout) {
+        this.message = message;
+        this.timeout = timeout;
+        this.stack = (new Error(message)).stack;
+    }
+    extendError(TimeoutError, 'TimeoutError', 'ETIMEDOUT');
+
+    /**
+     * Error passed to the callback of a flow, when the flow is cancelled.
+     * @class flow.CancelError
+     * @extends Error
+     * @param {Any} [reason] The reason passed to cancel() or the reason of the aborted AbortSignal.
+     */
+    function CancelError(reason) {
+        this.message = 'Flow cancelled' + (reason !== undefined && reason !== null ? ': ' + (reason.message || reason) : '');
+        this.reason = reason;
+        this.stack = (new Error(this.message)).stack;
+    }
+    extendError(CancelError, 'CancelError', 'ECANCELED');
+
+    /**
+     * Error passed to the callback of a flow, when tasks jump backward more than config.maxLoops times.
+     * @class flow.LoopError
+     * @extends Error
+     * @param {String} message
+     * @param {Number} maxLoops
+     */
+    function LoopError(message, maxLoops) {
+        this.message = message;
+        this.maxLoops = maxLoops;
+        this.stack = (new Error(message)).stack;
+    }
+    extendError(LoopError, 'LoopError', 'ELOOP');
+
+    function extendError(Type, name, code) {
+        Type.prototype = Object.create(Error.prototype);
+        Type.prototype.constructor = Type;
+        Type.prototype.name = name;
+        Type.prototype.code = code;
+
+        flow[name] = Type;
+    }
+
+    /**
+     * Records events of flows, so that runs can be exported as JSON or in the trace event format of
+     * Chrome (which can be viewed in chrome://tracing or https://ui.perfetto.dev).
+     *
+     *     var recorder = new flow.Recorder();
+     *     flow({on: recorder.listeners}, ...)(); //or recorder.attach() to record every flow.
+     *     //later..
+     *     JSON.stringify(recorder.toTraceEvents());
+     *
+     * @class flow.Recorder
+     */
+    function Recorder() {
+        var self = this;
+        this.events = [];
+        this.listeners = {};
+        Recorder.EVENTS.forEach(function (event) {
+            self.listeners[event] = function (e) {
+                self.events.push(e);
+            };
+        });
+    }
+    Recorder.EVENTS = ['taskStart', 'taskEnd', 'parallelTick', 'repeat', 'retry', 'error', 'complete', 'misuse', 'checkpoint'];
+    Recorder.prototype = {
+        /**
+         * @property {Object[]} events Recorded events.
+         */
+        events: null,
+
+        /**
+         * @property {Object} listeners Event listeners to pass as config.on of a flow.
+         */
+        listeners: null,
+
+        /**
+         * Record events of every flow (see flow.on()).
+         */
+        attach: function () {
+            var listeners = this.listeners;
+            Recorder.EVENTS.forEach(function (event) {
+                flow.on(event, listeners[event]);
+            });
+        },
+
+        /**
+         * Stop recording events of every flow.
+         */
+        detach: function () {
+            var listeners = this.listeners;
+            Recorder.EVENTS.forEach(function (event) {
+                flow.off(event, listeners[event]);
+            });
+        },
+
+        /**
+         * Remove recorded events.
+         */
+        clear: function () {
+            this.events = [];
+        },
+
+        /**
+         * Returns the recorded events (optionally, only of the given run and the flows used as tasks of it)
+         * as JSON serializable objects. Errors are converted to objects with name, message and code.
+         * @param {Number} [run] Id of the run.
+         * @return {Object[]}
+         */
+        toJSON: function (run) {
+            return this.getEvents(run).map(function (e) {
+                var copy = {};
+                Object.keys(e).forEach(function (key) {
+                    copy[key] = (key === 'error' ? serializeError(e.error) : e[key]);
+                });
+                if (copy.failed) {
+                    copy.failed = {task: copy.failed.task, name: copy.failed.name, index: copy.failed.index};
+                }
+                return copy;
+            });
+        },
+
+        /**
+         * Returns the recorded events (optionally, only of the given run and the flows used as tasks of it)
+         * in Chrome's trace event format. Each run is shown as a thread with it's tasks as slices. Parallel calls
+         * are shown as async slices.
+         * @param {Number} [run] Id of the run.
+         * @return {Object}
+         */
+        toTraceEvents: function (run) {
+            var traceEvents = [],
+                threads = {};
+            this.toJSON(run).forEach(function (e) {
+                var label = (e.name || 'task ' + e.task),
+                    args = {flow: e.flow, task: e.task, depth: e.depth, attempt: e.attempt, error: e.error};
+                if (!threads[e.run]) {
+                    threads[e.run] = true;
+                    traceEvents.push({name: 'thread_name', ph: 'M', pid: 1, tid: e.run, args: {name: (e.flow || 'flow') + ' #' + e.run}});
+                }
+                if (e.event === 'taskEnd') {
+                    traceEvents.push({name: label, cat: 'task', ph: 'X', ts: e.start * 1000, dur: e.duration * 1000, pid: 1, tid: e.run, args: args});
+                } else if (e.event === 'parallelTick') {
+                    args.index = e.index;
+                    var id = e.run + ':' + e.task + ':' + e.index;
+                    traceEvents.push({name: label + ' [' + e.index + ']', cat: 'parallel', ph: 'b', id: id, ts: e.start * 1000, pid: 1, tid: e.run, args: args});
+                    traceEvents.push({name: label + ' [' + e.index + ']', cat: 'parallel', ph: 'e', id: id, ts: (e.start + e.duration) * 1000, pid: 1, tid: e.run});
+                } else if (e.event === 'complete') {
+                    args = {flow: e.flow, depth: e.depth, error: e.error, failed: e.failed, cancelled: e.cancelled};
+                    traceEvents.push({name: e.flow || 'flow', cat: 'flow', ph: 'X', ts: e.start * 1000, dur: e.duration * 1000, pid: 1, tid: e.run, args: args});
+                } else if (e.event !== 'taskStart') {
+                    traceEvents.push({name: e.event + ': ' + label, cat: e.event, ph: 'i', s: 't', ts: e.time * 1000, pid: 1, tid: e.run, args: args});
+                }
+            });
+            return {traceEvents: traceEvents, displayTimeUnit: 'ms'};
+        },
+
+        /**
+         * @private
+         */
+        getEvents: function (run) {
+            if (run === undefined) {
+                return this.events;
+            }
+            var runs = {};
+            runs[run] = true;
+            return this.events.filter(function (e) {
+                if (runs[e.parentRun]) {
+                    runs[e.run] = true;
+                }
+                return !!runs[e.run];
+            });
+        }
+    };
+
+    flow.Recorder = Recorder;
+
+    /**
+     * Store that keeps snapshots (see config.store of flow()) in memory. Snapshots are kept as is (i.e. not copied).
+     * @class flow.MemoryStore
+     */
+    function MemoryStore() {
+        this.data = {};
+    }
+    MemoryStore.prototype = {
+        get: function (key, cb) {
+            cb(null, (Object.prototype.hasOwnProperty.call(this.data, key) ? this.data[key] : null));
+        },
+        set: function (key, value, cb) {
+            this.data[key] = value;
+            cb(null);
+        },
+        remove: function (key, cb) {
+            delete this.data[key];
+            cb(null);
+        }
+    };
+
+    flow.MemoryStore = MemoryStore;
+
+    /**
+     * Store that saves snapshots (see config.store of flow()) as JSON files (one per run) in a directory. Node.js only.
+     * Errors are saved as objects with name, message and code.
+     * @class flow.FileStore
+     * @param {String} dir Directory of the files. Created if it doesn't exist.
+     */
+    function FileStore(dir) {
+        this.dir = dir;
+        this.fs = require('fs');
+    }
+    FileStore.prototype = {
+        /**
+         * @private
+         */
+        file: function (key) {
+            return this.dir + '/' + encodeURIComponent(key) + '.json';
+        },
+        get: function (key, cb) {
+            this.fs.readFile(this.file(key), 'utf8', function (error, json) {
+                if (error) {
+                    cb(error.code === 'ENOENT' ? null : error, null);
+                    return;
+                }
+                var value;
+                try {
+                    value = JSON.parse(json);
+                } catch (e) {
+                    cb(e);
+                    return;
+                }
+                cb(null, value);
+            });
+        },
+        set: function (key, value, cb) {
+            var fs = this.fs,
+                file = this.file(key),
+                json;
+            try {
+                json = JSON.stringify(value, function (k, v) {
+                    return serializeError(v);
+                });
+            } catch (e) {
+                cb(e);
+                return;
+            }
+            fs.mkdir(this.dir, {recursive: true}, function (error) {
+                if (error) {
+                    cb(error);
+                    return;
+                }
+                //write to a temporary file first, so that a crash doesn't leave a partially written snapshot.
+                fs.writeFile(file + '.tmp', json, function (error) {
+                    if (error) {
+                        cb(error);
+                        return;
+                    }
+                    fs.rename(file + '.tmp', file, cb);
+                });
+            });
+        },
+        remove: function (key, cb) {
+            this.fs.unlink(this.file(key), function (error) {
+                cb(error && error.code !== 'ENOENT' ? error : null);
+            });
+        }
+    };
+
+    flow.FileStore = FileStore;
+
+    function toDebugConfig(debug) {
+        var config = {
+            stallTime: 5000,
+            report: function (report) {
+                console.warn(report.stack);
+            }
+        };
+        if (typeof debug === 'object') {
+            Object.keys(config).forEach(function (key) {
+                if (debug[key] !== undefined) {
+                    config[key] = debug[key];
+                }
+            });
+        }
+        return config;
+    }
+
+    //file of this script, to remove it's frames from stack traces.
+    var ownFile = (function () {
+        var match = /([^\s(@]+):\d+:\d+\)?$/m.exec(((new Error()).stack || '').split('\n').slice(1).join('\n'));
+        return (match ? match[1] : null);
+    }());
+
+    /**
+     * Returns the frames of the stack trace (without the message line), starting from the
+     * first frame outside of this script.
+     * @private
+     */
+    function callSite(stack) {
+        var lines = stack.split('\n').slice(1);
+        while (ownFile && lines.length > 1 && lines[0].indexOf(ownFile) > -1) {
+            lines.shift();
+        }
+        return '\n' + lines.join('\n');
+    }
+
+    /**
+     * Returns a shallow copy of the own properties of the object (without the inherited ones).
+     * @private
+     */
+    function copyOwn(obj) {
+        var copy = {};
+        Object.keys(obj).forEach(function (key) {
+            copy[key] = obj[key];
+        });
+        return copy;
+    }
+
+    function serializeError(error) {
+        if (error instanceof Error) {
+            return {name: error.name, message: error.message, code: error.code};
+        }
+        return error;
+    }
+
+    function now() {
+        return (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+    }
+
+    /**
+     * Converts the retry option to a policy object with all the defaults filled in.
+     * @private
+     */
+    function toRetryPolicy(retry) {
+        var policy = {
+            attempts: 3,
+            backoff: 'fixed',
+            delay: 0,
+            factor: 2,
+            maxDelay: Infinity,
+            jitter: 0,
+            retryIf: null
+        };
+        if (typeof retry === 'number') {
+            policy.attempts = retry;
+        } else if (!retry) {
+            policy.attempts = 1;
+        } else if (typeof retry === 'object') {
+            Object.keys(policy).forEach(function (key) {
+                if (retry[key] !== undefined) {
+                    policy[key] = retry[key];
+                }
+            });
+        }
+        policy.jitter = (policy.jitter === true ? 1 : (+policy.jitter || 0));
+        return policy;
+    }
+
+    /**
+     * Tells whether the error passed to a task means failure. Errors of parallel calls are
+     * passed as an array, which means failure only if any of them is an error.
+     * @private
+     */
+    function hasError(error) {
+        if (error instanceof Array) {
+            return error.some(function (e) {
+                return e !== undefined && e !== null;
+            });
+        }
+        return error !== undefined && error !== null;
+    }
+
+    /**
+     * Returns an iterator (whose next() may return a thenable) for the source of ControlHelper.each().
+     * @private
+     */
+    function toIterator(source) {
+        if (source instanceof Array) {
+            var i = 0;
+            return {
+                next: function () {
+                    return (i < source.length ? {done: false, value: source[i++]} : {done: true});
+                }
+            };
+        }
+        if (typeof Symbol === 'function' && source) {
+            if (Symbol.asyncIterator && typeof source[Symbol.asyncIterator] === 'function') {
+                return source[Symbol.asyncIterator]();
+            }
+            if (Symbol.iterator && typeof source[Symbol.iterator] === 'function') {
+                return source[Symbol.iterator]();
+            }
+        }
+        if (source && typeof source.next === 'function') {
+            return source;
+        }
+        if (source && typeof source.getReader === 'function') {
+            var reader = source.getReader();
+            return {
+                next: function () {
+                    return reader.read();
+                },
+                'return': function () {
+                    return reader.cancel();
+                }
+            };
+        }
+        throw new TypeError('flow: Expected an iterable, an iterator or a stream');
+    }
+
+    function isTask(obj) {
+        return typeof obj === 'function' || (!!obj && typeof obj.fn === 'function');
+    }
+
+    function isThenable(obj) {
+        return !!obj && (typeof obj === 'object' || typeof obj === 'function') && typeof obj.then === 'function';
+    }
+
+    /**
+     * Calls callback(null, value) or callback(reason) once the thenable settles.
+     * A falsy rejection reason is replaced with an Error, so that it doesn't get mistaken for success.
+     * @private
+     */
+    function whenSettled(thenable, callback) {
+        thenable.then(function (result) {
+            callback(null, result);
+        }, function (reason) {
+            callback(reason || new Error('Promise rejected with ' + reason));
+        });
+    }
+
+    /**
+     * Calls back with the settled value of a thenable. The Promise of a run of a flow resolves with the details
+     * of the run, so the callback gets the error and result of the run instead.
+     * @private
+     */
+    function settleWith(ret, callback) {
+        if (isThenable(ret)) {
+            whenSettled(ret, (flowRuns.has(ret) ? function (error, details) {
+                if (error) {
+                    callback(error);
+                } else {
+                    callback(details.error, details.result);
+                }
+            } : callback));
+        }
+    }
+
+    /**
+     * Calls a method of a store with the given arguments followed by a callback. The callback
+     * gets (error, value) once the store calls it or once the returned thenable (if any) settles.
+     * @private
+     */
+    function callStore(store, method, args, callback) {
+        var called = false,
+            ret;
+        function done(error, value) {
+            if (!called) {
+                called = true;
+                callback(error, value);
+            }
+        }
+        try {
+            ret = store[method].apply(store, args.concat(done));
+        } catch (e) {
+            done(e);
+            return;
+        }
+        settleWith(ret, done);
+    }
+
+    /**
+     * Calls func asynchronously, as a microtask or with setImmediate.
+     * @private
+     */
+    function defer(schedule, func) {
+        if (schedule === 'microtask') {
+            if (typeof queueMicrotask === 'function') {
+                queueMicrotask(func);
+            } else {
+                Promise.resolve().then(func);
+            }
+        } else if (typeof setImmediate === 'function') {
+            setImmediate(func);
+        } else {
+            setTimeout(func, 0);
+        }
+    }
+
+    function cancelWith(ret, ctl) {
+        if (ret && typeof ret.cancel === 'function') {
+            ctl.onCancel(function (error) {
+                ret.cancel(error);
+            });
+        }
     }
 
     if (typeof module !== 'undefined' && module.exports) {